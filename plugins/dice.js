@@ -0,0 +1,35 @@
+// plugins/dice.js — Exemple de plugin d'intent : pile ou face / lancer de dé.
+// Chargé au boot depuis plugins/ (ou INTENT_PLUGINS_DIR).
+
+const COIN_RE = /\b(pile\s+ou\s+face|flip\s+a\s+coin)\b/i;
+// Un vrai nom de dé est exigé (« lance des campagnes », « lance de la musique » ne sont pas des lancers) :
+// « lance un dé », « lance 2 dés à 8 faces », « roll a die », « lance 3d6 », « lance un d20 »
+const DICE_RE = /(?:^|[^\p{L}])(?:lance|jette|roll)\s+(?:(?:(un|une|a|le|des|les|\d+)\s+)?(?:dés|dé|dice|die)(?:\s+à\s+(\d+)\s+faces)?|(?:(un|une|a|le|\d+)\s+)?(\d+)?d(\d+))(?![\p{L}\d])/iu;
+const diceCount = (w) => /^(des|les)$/i.test(w || '') ? 2 : Number(w) || 1;
+
+export default [
+  {
+    name: 'coin',
+    priority: 45,
+    match: COIN_RE,
+    handle: () => {
+      const side = Math.random() < 0.5 ? 'Pile' : 'Face';
+      return { reply: `${side} !`, meta: { intent: 'coin', ok: true, side } };
+    }
+  },
+  {
+    name: 'dice',
+    priority: 45,
+    match: DICE_RE,
+    handle: (text) => {
+      const m = String(text || '').match(DICE_RE);
+      if (!m) return null;
+      const count = Math.min(10, Math.max(1, m[4] ? Number(m[4]) : diceCount(m[1] || m[3])));
+      const faces = Math.min(1000, Math.max(2, Number(m[2] || m[5]) || 6));
+      const rolls = Array.from({ length: count }, () => 1 + Math.floor(Math.random() * faces));
+      const total = rolls.reduce((a, b) => a + b, 0);
+      const reply = count === 1 ? `🎲 ${total}` : `🎲 ${rolls.join(' + ')} = ${total}`;
+      return { reply, meta: { intent: 'dice', ok: true, faces, rolls } };
+    }
+  }
+];
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockOllama } from './helpers.js';
+
+// Deux comptes : A crée des données, B ne doit rien en voir
+let ollama, srv, keyA, keyB;
+const A = (p, o = {}) => srv.api(p, { ...o, key:keyA });
+const B = (p, o = {}) => srv.api(p, { ...o, key:keyB });
+const until = async (fn) => { for (let i = 0; i < 100; i++) { if (await fn()) return; await new Promise(r => setTimeout(r, 50)); } throw new Error('délai dépassé'); };
+
+before(async () => {
+  ollama = await mockOllama({ embedding:(text) => Array.from({ length:8 }, (_, i) => ((text.charCodeAt(i % text.length) || 1) % 7) + 1) });
+  srv = await startServer({ OLLAMA_HOST:ollama.url, MEMORY_MIN_SCORE:'-1' });
+  keyA = (await srv.api('/users', { body:{ id:'alice' } })).body.api_key;
+  keyB = (await srv.api('/users', { body:{ id:'bob' } })).body.api_key;
+  assert.equal((await A('/aurion', { body:{ prompt:'Quelle heure est-il ?', session_id:'sess-alice' } })).status, 200);
+  assert.equal((await A('/facts', { body:{ question:'code du portail', answer:'4589B' } })).status, 200);
+  assert.equal((await A('/register-device', { body:{ token:'d'.repeat(64) } })).status, 200);
+  await until(async () => (await A('/memory/search?q=heure')).body.count > 0);
+});
+after(async () => { await srv?.stop(); await ollama?.close(); });
+
+test('sans identifiant : 401', async () => {
+  for (const p of ['/me', '/sessions', '/facts', '/ollama/health']) {
+    const r = await srv.api(p, { key:null });
+    assert.equal(r.status, 401, p);
+    assert.equal(r.headers.get('www-authenticate'), 'Bearer');
+  }
+  assert.equal((await srv.api('/me', { key:'ak_inconnue_0000000000' })).status, 401);
+  assert.equal((await srv.api('/health', { key:null })).status, 200);
+});
+
+test('JWT de /auth/token accepté ; clé révoquée refusée', async () => {
+  const t = await srv.api('/auth/token', { body:{ api_key:keyA }, key:null });
+  assert.equal(t.status, 200);
+  const me = await srv.api('/me', { key:null, headers:{ authorization:`Bearer ${t.body.token}` } });
+  assert.equal(me.body.user.id, 'alice');
+  assert.equal(me.body.via, 'jwt');
+  assert.equal((await srv.api('/me', { key:null, headers:{ authorization:'Bearer x.y.z' } })).status, 401);
+
+  const extra = (await A('/me/keys', { body:{ name:'temporaire' } })).body;
+  assert.equal((await srv.api('/me', { key:extra.key })).status, 200);
+  assert.equal((await A(`/me/keys/${extra.id}`, { method:'DELETE' })).status, 200);
+  assert.equal((await srv.api('/me', { key:extra.key })).status, 401);
+  assert.equal((await srv.api('/auth/token', { body:{ api_key:extra.key }, key:null })).status, 401);
+});
+
+test('sessions de A : 404 pour B', async () => {
+  assert.equal((await A('/session/sess-alice/history')).body.items.length, 2);
+  assert.equal((await B('/session/sess-alice/history')).status, 404);
+  assert.equal((await B('/aurion', { body:{ prompt:'Quelle heure est-il ?', session_id:'sess-alice' } })).status, 404);
+  assert.equal((await B('/session/sess-alice/fork', { body:{} })).status, 404);
+  assert.equal((await A('/session/sess-alice/history')).body.items.length, 2);
+});
+
+test('recherche, mémoire, faits, appareils : rien de A chez B', async () => {
+  assert.ok((await A('/search?q=heure')).body.items.length > 0);
+  assert.equal((await B('/search?q=heure')).body.items.length, 0);
+  assert.equal((await B('/search?q=heure&session_id=sess-alice')).status, 404);
+
+  assert.ok((await A('/memory/search?q=heure')).body.items.some(m => m.kind === 'history'));
+  assert.ok(!(await B('/memory/search?q=heure')).body.items.some(m => m.kind === 'history' || /portail/.test(m.q || '')));
+  assert.equal((await B('/memory/search?q=heure&user_id=alice')).body.items.filter(m => m.kind === 'history').length, 0);
+
+  const fact = (await A('/facts?q=portail')).body.items[0];
+  assert.equal(fact.answer, '4589B');
+  assert.equal((await B('/facts?q=portail')).body.items.length, 0);
+  assert.equal((await B('/facts?q=portail&all=1')).body.items.length, 0);
+  assert.equal((await B(`/facts/${fact.id}`)).status, 404);
+  assert.equal((await B(`/facts/${fact.id}`, { method:'DELETE' })).status, 404);
+
+  assert.equal((await A('/devices')).body.count, 1);
+  assert.equal((await B('/devices')).body.count, 0);
+  assert.equal((await B('/devices?all=1')).body.count, 0);
+  const device = (await A('/devices')).body.devices[0];
+  assert.equal((await B(`/devices/${device.id}`, { method:'DELETE' })).status, 404);
+});
+
+test('routes admin : 403 pour un utilisateur', async () => {
+  for (const [p, o] of [['/users'], ['/limits'], ['/ollama/health'], ['/users', { body:{ id:'carol' } }], ['/users/bob/role', { body:{ role:'admin' } }],
+    ['/limits', { method:'PUT', body:{ bucket:'llm', scope:'user', algo:'none' } }], ['/notify/all', { body:{ title:'t', body:'b' } }]]) {
+    assert.equal((await B(p, o)).status, 403, p);
+  }
+});
+
+test('POST /users sur un id existant : 409, rôle inchangé ; changement de rôle explicite', async () => {
+  const r = await srv.api('/users', { body:{ id:'alice', role:'admin' } });
+  assert.equal(r.status, 409);
+  const users = () => srv.api('/users').then(x => Object.fromEntries(x.body.items.map(u => [u.id, u])));
+  assert.equal((await users()).alice.role, 'user');
+  assert.equal((await users()).alice.active_keys, 1);
+  assert.equal((await srv.api('/users/alice/role', { body:{ role:'admin' } })).body.user.role, 'admin');
+  assert.equal((await A('/users')).status, 200);
+  assert.equal((await srv.api('/users/alice/role', { body:{ role:'user' } })).body.user.role, 'user');
+  assert.equal((await srv.api('/users/nobody/role', { body:{ role:'user' } })).status, 404);
+  assert.equal((await srv.api('/users/rapido/role', { body:{ role:'user' } })).status, 409); // dernier admin actif
+});
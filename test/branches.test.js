@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockOllama } from './helpers.js';
+
+// Chaque génération est différente : « Réponse 1. », « Réponse 2. »…
+let ollama, srv, n = 0;
+before(async () => {
+  ollama = await mockOllama({ reply:() => `Réponse ${++n}.`, embedding:(text) => Array.from({ length:8 }, (_, i) => ((text.charCodeAt(i % text.length) || 1) % 7) + 1) });
+  srv = await startServer({ OLLAMA_HOST:ollama.url });
+});
+after(async () => { await srv?.stop(); await ollama?.close(); });
+
+const until = async (fn) => { for (let i = 0; i < 100; i++) { if (await fn()) return; await new Promise(r => setTimeout(r, 50)); } throw new Error('délai dépassé'); };
+const history = async (id, all = false) => (await srv.api(`/session/${id}/history${all ? '?all=1' : ''}`)).body.items;
+const turns = (items) => items.map(i => [i.role, i.content]);
+const indexed = async () => (await srv.api('/memory/search?q=x')).body.indexed.history || 0;
+
+let q1, a1, q2, a2;
+test('regenerate : l’ancienne réponse devient une variante inactive', async () => {
+  await srv.api('/aurion', { body:{ prompt:'Explique la photosynthèse', session_id:'br' } });
+  await srv.api('/aurion', { body:{ prompt:'Et la respiration cellulaire ?', session_id:'br' } });
+  [q1, a1, q2, a2] = await history('br');
+  assert.deepEqual(turns([q1, a1, q2, a2]), [['user', 'Explique la photosynthèse'], ['assistant', a1.content], ['user', 'Et la respiration cellulaire ?'], ['assistant', a2.content]]);
+
+  const r = await srv.api('/session/br/regenerate', { body:{} });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.replaced, [a2.id]);
+  assert.equal(r.body.parent_id, q2.id);
+  assert.notEqual(r.body.reply, a2.content);
+
+  const active = await history('br');
+  assert.deepEqual(active.map(i => i.id), [q1.id, a1.id, q2.id, r.body.message_id]);
+  const all = await history('br', true);
+  const old = all.find(i => i.id === a2.id), fresh = all.find(i => i.id === r.body.message_id);
+  assert.equal(old.active, false);
+  assert.equal(fresh.active, true);
+  assert.equal(old.parent_id, q2.id);
+  assert.equal(fresh.parent_id, q2.id);
+  assert.equal(old.variants, 2);
+  assert.equal(fresh.variants, 2);
+});
+
+test('edit : le fil est tronqué à partir du message modifié puis relancé', async () => {
+  const r = await srv.api(`/session/br/messages/${q2.id}/edit`, { body:{ prompt:'Et la fermentation ?' } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.replaced.length, 2);
+  assert.equal(r.body.replaced[0], q2.id);
+  const active = await history('br');
+  assert.deepEqual(turns(active), [['user', 'Explique la photosynthèse'], ['assistant', a1.content], ['user', 'Et la fermentation ?'], ['assistant', r.body.reply]]);
+  assert.equal(active[2].parent_id, a1.id);
+  assert.equal(active[2].variants, 2);
+  assert.ok((await history('br', true)).filter(i => !i.active).every(i => i.id >= q2.id));
+
+  assert.equal((await srv.api(`/session/br/messages/${a1.id}/edit`, { body:{ prompt:'x' } })).status, 400);
+  assert.equal((await srv.api(`/session/br/messages/${q2.id}/edit`, { body:{ prompt:'x' } })).status, 409);
+});
+
+test('fork : copie la chaîne d’ancêtres, même depuis une variante, et l’indexe', async () => {
+  await until(async () => await indexed() === (await history('br', true)).length);
+  const before = await indexed();
+  const r = await srv.api('/session/br/fork', { body:{ message_id:a2.id, session_id:'br-fork' } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.forked_at, a2.id);
+  assert.equal(r.body.copied, 4);
+
+  const copy = await history('br-fork');
+  assert.deepEqual(turns(copy), turns([q1, a1, q2, a2]));
+  assert.equal(copy[0].parent_id, null);
+  for (let i = 1; i < copy.length; i++) assert.equal(copy[i].parent_id, copy[i - 1].id);
+  assert.equal(r.body.last_id, copy.at(-1).id);
+  assert.equal(await indexed(), before + 4);
+
+  assert.equal((await srv.api('/session/br/fork', { body:{ session_id:'br-fork' } })).status, 409);
+  assert.equal((await srv.api('/session/br/fork', { body:{ message_id:999999 } })).status, 404);
+});
@@ -0,0 +1,25 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockOllama } from './helpers.js';
+
+let ollama, srv, n = 0;
+before(async () => {
+  ollama = await mockOllama({ reply:() => `Réponse numéro ${++n}.` });
+  srv = await startServer({ OLLAMA_HOST:ollama.url });
+});
+after(async () => { await srv?.stop(); await ollama?.close(); });
+
+const ask = async (session_id, prompt) => (await srv.api('/aurion', { body:{ prompt, session_id, allow_emojis:false, personality_level:'low' } })).body;
+
+test('même question sans contexte : servie depuis le cache', async () => {
+  const a = await ask('c-1', 'explique les trous noirs');
+  const b = await ask('c-2', 'explique les trous noirs');
+  assert.equal(b.meta.cached, true);
+  assert.equal(b.reply, a.reply);
+});
+
+test('même question dans un fil qui a déjà des tours : pas de réponse d\'un autre fil', async () => {
+  await ask('c-3', 'parle-moi de la cuisine japonaise');
+  const r = await ask('c-3', 'explique les trous noirs');
+  assert.notEqual(r.meta.cached, true);
+});
@@ -0,0 +1,32 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockServer } from './helpers.js';
+
+// Le modèle appelle web_search puis cite [1] (réel) et [7] (inventé)
+let ollama, tavily, srv;
+before(async () => {
+  tavily = await mockServer((_req, _body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ answer:'Premier vol en 2024.', results:[{ title:'Ariane 6 — ESA', url:'https://esa.example/ariane6', content:'Ariane 6 a effectué son vol inaugural le 9 juillet 2024.' }] }));
+  });
+  ollama = await mockServer((req, body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url !== '/api/chat') { res.statusCode = 404; return res.end('{}'); }
+    const j = JSON.parse(body);
+    const usedTool = j.messages.some(m => m.role === 'tool');
+    const message = j.tools && !usedTool
+      ? { role:'assistant', content:'', tool_calls:[{ function:{ name:'web_search', arguments:{ query:'Ariane 6 premier vol' } } }] }
+      : { role:'assistant', content:'Ariane 6 a volé pour la première fois le 9 juillet 2024 [1]. Elle remplace Ariane 5 [7].' };
+    res.end(JSON.stringify({ message, done:true, eval_count:10, prompt_eval_count:10 }));
+  });
+  srv = await startServer({ OLLAMA_HOST:ollama.url, TAVILY_URL:tavily.url, TAVILY_API_KEY:'tvly-test' });
+});
+after(async () => { await srv?.stop(); await ollama?.close(); await tavily?.close(); });
+
+test('sources de l\'outil web_search → meta.citations', async () => {
+  const r = (await srv.api('/aurion', { body:{ prompt:'parle-moi de la fusée Ariane 6', allow_emojis:false } })).body;
+  assert.equal(r.meta.tools[0].name, 'web_search');
+  assert.deepEqual(r.meta.citations, [{ marker:'[1]', title:'Ariane 6 — ESA', url:'https://esa.example/ariane6' }]);
+  assert.match(r.reply, /\[1\]/);
+  assert.doesNotMatch(r.reply, /\[7\]/);
+});
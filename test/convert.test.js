@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from './helpers.js';
+
+// Taux locaux fixes : la base neuve est semée depuis CURRENCY_RATES_PATH, sans réseau
+let srv, dir;
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aurion-rates-'));
+  fs.writeFileSync(path.join(dir, 'rates.json'), JSON.stringify({ base:'EUR', date:'2026-01-02', rates:{ USD:1.25, GBP:0.8, JPY:160 } }));
+  srv = await startServer({ CURRENCY_RATES_PATH:path.join(dir, 'rates.json') });
+});
+after(async () => { await srv?.stop(); fs.rmSync(dir, { recursive:true, force:true }); });
+
+const convert = (body) => srv.api('/convert', { body });
+const close = (actual, expected, eps = 1e-3) => assert.ok(Math.abs(actual - expected) < eps, `${actual} ≠ ${expected}`);
+
+test('vitesses et consommation (dimension inverse)', async () => {
+  const a = await convert({ value:100, from:'km/h', to:'m/s' });
+  assert.equal(a.status, 200);
+  close(a.body.result, 27.7778);
+  close((await convert({ value:36, from:'kmh', to:'km/h' })).body.result, 36);
+
+  const b = await convert({ value:8, from:'L/100km', to:'mpg' });
+  assert.equal(b.status, 200);
+  assert.equal(b.body.inverse, true);
+  close(b.body.result, 29.4018);
+  close((await convert({ value:b.body.result, from:'mpg', to:'L/100km' })).body.result, 8);
+  assert.equal((await convert({ value:0, from:'L/100km', to:'mpg' })).status, 400);
+});
+
+test('dimensions incompatibles → 400', async () => {
+  const r = await convert({ value:5, from:'km', to:'kg' });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.ok, false);
+  assert.equal(r.body.incompatible, true);
+  assert.match(r.body.error, /pas de même dimension/);
+  assert.equal((await convert({ value:1, from:'km/h', to:'mpg' })).body.incompatible, true);
+  assert.equal((await convert({ value:'abc', from:'km', to:'m' })).status, 400);
+  assert.equal((await convert({ q:'bonjour' })).status, 400);
+});
+
+test('devises depuis le fichier de taux local', async () => {
+  const rates = await srv.api('/convert/rates');
+  assert.deepEqual(rates.body.items.map(r => [r.code, r.rate]), [['EUR', 1], ['GBP', 0.8], ['JPY', 160], ['USD', 1.25]]);
+  assert.ok(rates.body.items.every(r => r.rate_date === '2026-01-02' && r.source === 'rates.json'));
+
+  const a = await convert({ value:100, from:'EUR', to:'USD' });
+  assert.equal(a.status, 200);
+  close(a.body.result, 125);
+  assert.equal(a.body.formatted, '125,00');
+  assert.equal(a.body.rates_date, '2026-01-02');
+  close((await convert({ value:100, from:'USD', to:'GBP' })).body.result, 64);
+
+  const q = await convert({ q:'combien font 10 000 yens en euros' });
+  assert.equal(q.status, 200);
+  close(q.body.result, 62.5);
+
+  const chat = await srv.api('/aurion', { body:{ prompt:'50 € en dollars' } });
+  assert.equal(chat.body.meta.intent, 'convert');
+  assert.match(chat.body.reply, /62,50 .*taux du 2026-01-02/);
+});
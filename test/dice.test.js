@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import plugins from '../plugins/dice.js';
+
+const dice = plugins.find(p => p.name === 'dice');
+const roll = (text) => dice.match.test(text) ? dice.handle(text) : null;
+
+test('phrases ordinaires : pas de lancer', () => {
+  for (const t of ['lance des campagnes de pub sur instagram', 'lance de la musique', 'lance le déploiement', 'jette des idées', 'roll out the release'])
+    assert.equal(roll(t), null, t);
+});
+
+test('lancers de dés', () => {
+  assert.equal(roll('lance un dé').meta.rolls.length, 1);
+  assert.equal(roll('lance des dés').meta.rolls.length, 2);
+  const r = roll('lance 3 dés à 8 faces');
+  assert.deepEqual([r.meta.rolls.length, r.meta.faces], [3, 8]);
+  const d = roll('lance 2d20');
+  assert.deepEqual([d.meta.rolls.length, d.meta.faces], [2, 20]);
+  assert.equal(roll('lance un d12').meta.faces, 12);
+  assert.equal(roll('roll a die').meta.faces, 6);
+});
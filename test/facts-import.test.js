@@ -0,0 +1,28 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { runCli } from './helpers.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aurion-facts-'));
+after(() => fs.rmSync(dir, { recursive:true, force:true }));
+
+test('base SQLite sans table facts : échec explicite, code de sortie non nul', async () => {
+  const file = path.join(dir, 'autre.db');
+  const db = new Database(file);
+  db.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+  db.close();
+  const r = await runCli(['--facts-import', file]);
+  assert.equal(r.code, 1);
+  assert.match(r.output, /table facts absente/);
+});
+
+test('export JSON : faits importés', async () => {
+  const file = path.join(dir, 'facts.json');
+  fs.writeFileSync(file, JSON.stringify({ facts:[{ q:'capitale du pérou', a:'Lima' }, { question:'ma couleur préférée', answer:'vert' }] }));
+  const r = await runCli(['--facts-import', file, '--global']);
+  assert.equal(r.code, 0, r.output);
+  assert.match(r.output, /2 faits lus → créés=2/);
+});
@@ -0,0 +1,83 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockServer } from './helpers.js';
+
+// Backend Ollama pilotable : mode ok | fail (500) | hold (répond après release())
+function backend(name) {
+  const b = { mode:'ok', held:null, release:() => {} };
+  b.hold = () => { b.mode = 'hold'; b.held = new Promise(r => { b.release = () => { b.mode = 'ok'; r(); }; }); };
+  b.ready = mockServer(async (req, _body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/api/tags') return res.end(JSON.stringify({ models:[{ name:'aurion-gemma' }] }));
+    if (req.url !== '/api/chat') { res.statusCode = 404; return res.end('{}'); }
+    if (b.mode === 'fail') { res.statusCode = 500; return res.end('{"error":"boom"}'); }
+    if (b.mode === 'hold') await b.held;
+    res.end(JSON.stringify({ message:{ role:'assistant', content:`Réponse de ${name}.` }, done:true, eval_count:3, prompt_eval_count:5 }));
+  }).then(s => Object.assign(b, s));
+  return b;
+}
+const chatCalls = (b) => b.calls.filter(c => c.url === '/api/chat').length;
+const cleanup = [];
+after(async () => { for (const fn of cleanup.reverse()) await fn(); });
+
+async function setup(env = {}) {
+  const a = backend('a'), b = backend('b');
+  await Promise.all([a.ready, b.ready]);
+  const srv = await startServer({ LLM_BACKENDS:`a=ollama@${a.url},b=ollama@${b.url}`, LLM_CHAIN_PRIMARY:'a:aurion-gemma,b:aurion-gemma',
+    LLM_CB_FAILURES:'2', LLM_CONCURRENCY:'4', ...env });
+  cleanup.push(() => a.close(), () => b.close(), () => srv.stop(), () => { a.release(); b.release(); });
+  let n = 0;
+  const ask = () => srv.api('/aurion', { body:{ prompt:`explique le sujet numéro ${++n} en détail` } });
+  return { a, b, srv, ask };
+}
+
+test('maillon en échec : bascule, puis disjoncteur ouvert, puis 503 avec Retry-After', async () => {
+  const { a, b, srv, ask } = await setup({ LLM_CB_COOLDOWN_MS:'60000' });
+  a.mode = 'fail';
+  for (let i = 0; i < 2; i++) {
+    const r = await ask();
+    assert.equal(r.status, 200);
+    assert.equal(r.body.meta.backend, 'b');
+    assert.deepEqual(r.body.meta.failover, { model:'aurion-gemma' });
+  }
+  assert.equal(chatCalls(a), 2);
+  assert.equal((await srv.api('/health')).body.backends.a.circuit, 'open');
+
+  // circuit ouvert : a n'est plus appelé
+  const r = await ask();
+  assert.equal(r.body.meta.backend, 'b');
+  assert.equal(chatCalls(a), 2);
+
+  // tous les circuits ouverts → 503 + Retry-After, sans appel
+  b.mode = 'fail';
+  for (let i = 0; i < 2; i++) assert.equal((await ask()).status, 503);
+  assert.equal((await srv.api('/health')).body.backends.b.circuit, 'open');
+  const calls = chatCalls(b);
+  const down = await ask();
+  assert.equal(down.status, 503);
+  assert.ok(Number(down.headers.get('retry-after')) > 5);
+  assert.equal(chatCalls(b), calls);
+});
+
+test('demi-ouvert : une seule requête sonde, les autres passent au maillon suivant', async () => {
+  const { a, srv, ask } = await setup({ LLM_CB_COOLDOWN_MS:'1000' });
+  a.mode = 'fail';
+  await ask(); await ask();
+  assert.equal((await srv.api('/health')).body.backends.a.circuit, 'open');
+  await new Promise(r => setTimeout(r, 1100));
+  assert.equal((await srv.api('/health')).body.backends.a.circuit, 'half_open');
+
+  a.hold();
+  const before = chatCalls(a);
+  const probe = ask();
+  for (let i = 0; i < 100 && chatCalls(a) === before; i++) await new Promise(r => setTimeout(r, 20));
+  const others = await Promise.all([ask(), ask()]);
+  assert.deepEqual(others.map(r => r.body.meta.backend), ['b', 'b']);
+  assert.equal(chatCalls(a), before + 1);
+
+  a.release();
+  const r = await probe;
+  assert.equal(r.body.meta.backend, 'a');
+  assert.equal((await srv.api('/health')).body.backends.a.circuit, 'closed');
+  assert.equal((await ask()).body.meta.backend, 'a');
+});
@@ -0,0 +1,15 @@
+// STT de test (STT_BACKEND=command) : node stt-stub.mjs {input} {language} → la transcription est le contenu du bloc data du WAV
+import fs from 'node:fs';
+
+const [file, language] = process.argv.slice(2);
+const wav = fs.readFileSync(file);
+if (wav.toString('latin1', 0, 4) !== 'RIFF' || wav.toString('latin1', 8, 12) !== 'WAVE') { console.error('pas un WAV'); process.exit(1); }
+if (!language) { console.error('langue absente'); process.exit(2); }
+for (let i = 12; i + 8 <= wav.length; i += 8 + wav.readUInt32LE(i + 4)) {
+  if (wav.toString('latin1', i, i + 4) === 'data') {
+    process.stdout.write(wav.subarray(i + 8, i + 8 + wav.readUInt32LE(i + 4)).toString('utf8'));
+    process.exit(0);
+  }
+}
+console.error('bloc data absent');
+process.exit(1);
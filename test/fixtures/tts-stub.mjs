@@ -0,0 +1,8 @@
+// TTS de test (TTS_BACKEND=command) : node tts-stub.mjs {voice} {output}, texte sur stdin → WAV dont le bloc data vaut « voix|texte »
+import fs from 'node:fs';
+import { wav } from './wav.mjs';
+
+const [voice, output] = process.argv.slice(2);
+const chunks = [];
+process.stdin.on('data', c => chunks.push(c));
+process.stdin.on('end', () => fs.writeFileSync(output, wav(`${voice}|${Buffer.concat(chunks).toString('utf8')}`)));
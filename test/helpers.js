@@ -0,0 +1,106 @@
+// Outils de test : serveur Aurion lancé dans un dossier temporaire (base SQLite neuve) et faux services HTTP locaux.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const FIXTURES = path.join(ROOT, 'test', 'fixtures');
+export const ADMIN_KEY = 'ak_test_admin_0123456789abcdef';
+
+// Faux service HTTP : handler(req, body, res) ; chaque appel est gardé dans calls
+export async function mockServer(handler) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks);
+      calls.push({ method:req.method, url:req.url, headers:req.headers, body });
+      try { await handler(req, body, res); }
+      catch (e) { res.statusCode = 500; res.end(String(e?.message || e)); }
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  return { url:`http://127.0.0.1:${server.address().port}`, calls, close: () => new Promise(r => server.close(r)) };
+}
+
+// Faux Ollama : réponse fixe (ou reply(messages) → texte) ; compteurs eval comme l'API réelle
+export function mockOllama({ reply = 'Réponse de test.', embedding = null } = {}) {
+  return mockServer((req, body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    const j = body.length ? JSON.parse(body) : {};
+    const text = typeof reply === 'function' ? reply(j.messages || [{ role:'user', content:j.prompt }], j) : reply;
+    const counts = { done:true, eval_count:20, eval_duration:1e9, prompt_eval_count:50, prompt_eval_duration:2e8 };
+    if (req.url === '/api/tags') return res.end(JSON.stringify({ models:[{ name:'aurion-gemma' }, { name:'aurion-phi' }] }));
+    if (req.url === '/api/embeddings') {
+      if (!embedding) { res.statusCode = 404; return res.end('{}'); }
+      return res.end(JSON.stringify({ embedding:embedding(j.prompt) }));
+    }
+    if (req.url === '/api/chat') {
+      if (!j.stream) return res.end(JSON.stringify({ message:{ role:'assistant', content:text }, ...counts }));
+      res.write(`${JSON.stringify({ message:{ role:'assistant', content:text } })}\n`);
+      return res.end(`${JSON.stringify({ message:{ role:'assistant', content:'' }, ...counts })}\n`);
+    }
+    if (req.url === '/api/generate') return res.end(JSON.stringify({ response:text, ...counts }));
+    res.statusCode = 404; res.end('{}');
+  });
+}
+
+const freePort = () => new Promise((resolve, reject) => {
+  const s = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => { const { port } = s.address(); s.close(() => resolve(port)); });
+});
+
+// Lance server.js avec env ; api(path, { method, body, headers, raw, key }) → { status, headers, body (JSON si possible) }
+// dir : relancer sur la base d'un serveur arrêté par stop({ keep:true })
+export async function startServer(env = {}, { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aurion-test-')) } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js'), ...(env.ARGS || [])], {
+    cwd:dir, stdio:['ignore', 'pipe', 'pipe'],
+    env:{ PATH:process.env.PATH, HOME:process.env.HOME, PORT:String(port), ADMIN_API_KEY:ADMIN_KEY, AUTH_JWT_SECRET:'test-secret', LOG_LEVEL:'error',
+      OLLAMA_HOST:'http://127.0.0.1:9', TAVILY_API_KEY:'', INTENT_PLUGINS_DIR:path.join(ROOT, 'plugins'), ...env }
+  });
+  let output = '';
+  child.stdout.on('data', c => { output += c; });
+  child.stderr.on('data', c => { output += c; });
+  const exited = new Promise(r => child.once('exit', r));
+  const url = `http://127.0.0.1:${port}`;
+
+  async function api(p, { method, body, headers = {}, raw = false, key = ADMIN_KEY } = {}) {
+    const h = { ...(key ? { 'x-api-key':key } : {}), ...headers };
+    let payload = body;
+    if (body !== undefined && !Buffer.isBuffer(body) && typeof body !== 'string') { payload = JSON.stringify(body); h['content-type'] ||= 'application/json'; }
+    const r = await fetch(`${url}${p}`, { method: method || (body === undefined ? 'GET' : 'POST'), headers:h, body:payload });
+    const text = await r.text();
+    let parsed = text;
+    if (!raw) try { parsed = JSON.parse(text); } catch {}
+    return { status:r.status, headers:r.headers, body:parsed };
+  }
+  async function stop({ keep = false } = {}) {
+    if (child.exitCode === null) { child.kill(); await exited; }
+    if (!keep) fs.rmSync(dir, { recursive:true, force:true });
+  }
+
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) { await stop(); throw new Error(`server.js arrêté au démarrage :\n${output}`); }
+    try { if ((await fetch(`${url}/`)).status < 500) return { url, dir, api, stop, output: () => output }; } catch {}
+    await new Promise(r => setTimeout(r, 100));
+  }
+  await stop();
+  throw new Error(`server.js ne répond pas :\n${output}`);
+}
+
+// Exécute server.js en mode CLI (--facts-import…) dans un dossier temporaire → { code, output }
+export function runCli(args, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aurion-cli-'));
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js'), ...args], { cwd:dir, env:{ PATH:process.env.PATH, LOG_LEVEL:'error', OLLAMA_HOST:'http://127.0.0.1:9', ...env } });
+    let output = '';
+    child.stdout.on('data', c => { output += c; });
+    child.stderr.on('data', c => { output += c; });
+    child.once('exit', (code) => { fs.rmSync(dir, { recursive:true, force:true }); resolve({ code, output }); });
+  });
+}
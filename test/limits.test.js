@@ -0,0 +1,67 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockServer } from './helpers.js';
+
+const servers = [];
+after(async () => { for (const s of servers) await s.stop(); });
+const start = async (env, opts) => { const s = await startServer(env, opts); servers.push(s); return s; };
+const until = async (fn) => { for (let i = 0; i < 100; i++) { if (await fn()) return; await new Promise(r => setTimeout(r, 50)); } throw new Error('délai dépassé'); };
+
+test('compteurs conservés au redémarrage', async () => {
+  const a = await start();
+  assert.equal((await a.api('/limits', { method:'PUT', body:{ bucket:'llm', scope:'user', algo:'window', max:2, period_ms:60_000 } })).status, 200);
+  for (let i = 0; i < 2; i++) assert.equal((await a.api('/aurion', { body:{ prompt:'quelle heure est-il ?' } })).status, 200);
+  await a.stop({ keep:true });
+
+  const b = await start({}, { dir:a.dir });
+  const r = await b.api('/aurion', { body:{ prompt:'quelle heure est-il ?' } });
+  assert.equal(r.status, 429);
+  assert.equal(r.body.bucket, 'llm');
+  assert.ok(Number(r.headers.get('retry-after')) >= 1);
+});
+
+test('quota de tokens réservé : pas de dépassement par des requêtes simultanées', async () => {
+  let release;
+  const held = new Promise(r => { release = r; });
+  const ollama = await mockServer(async (req, _body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/api/tags') return res.end(JSON.stringify({ models:[] }));
+    if (req.url !== '/api/chat') { res.statusCode = 404; return res.end('{}'); }
+    await held;
+    res.end(JSON.stringify({ message:{ role:'assistant', content:'Terminé.' }, done:true, eval_count:30, prompt_eval_count:70 }));
+  });
+  try {
+    const srv = await start({ OLLAMA_HOST:ollama.url, TOKEN_RESERVE:'1000' });
+    await srv.api('/limits', { method:'PUT', body:{ bucket:'tokens', scope:'user', algo:'daily', max:1500 } });
+    const first = srv.api('/aurion', { body:{ prompt:'explique la photosynthèse' } });
+    await until(() => ollama.calls.some(c => c.url === '/api/chat'));
+    assert.equal((await srv.api('/me/quota')).body.tokens.reserved, 1000);
+    const second = srv.api('/aurion', { body:{ prompt:'explique la gravité' } });
+    await until(async () => (await srv.api('/me/quota')).body.tokens.remaining === 0);
+
+    const third = await srv.api('/aurion', { body:{ prompt:'explique les marées' } });
+    assert.equal(third.status, 429);
+    assert.equal(third.body.bucket, 'tokens');
+
+    release();
+    assert.equal((await first).status, 200);
+    assert.equal((await second).status, 200);
+    const q = (await srv.api('/me/quota')).body.tokens;
+    assert.equal(q.reserved, 0);
+    assert.equal(q.used, 200);
+    assert.equal(q.remaining, 1300);
+  } finally { release(); await ollama.close(); }
+});
+
+test('/notify/all coûte un push par appareil', async () => {
+  const srv = await start();
+  for (const c of 'abc') await srv.api('/register-device', { body:{ token:c.repeat(64) } });
+  await srv.api('/limits', { method:'PUT', body:{ bucket:'push', scope:'user', algo:'bucket', max:5, period_ms:3_600_000 } });
+  const r = await srv.api('/notify/all', { body:{ title:'Test', body:'Bonjour' } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.total, 3);
+  assert.equal(r.headers.get('x-ratelimit-remaining'), '2');
+  assert.equal((await srv.api('/notify/all', { body:{ title:'Test', body:'Encore' } })).status, 429);
+  const one = await srv.api('/notify', { body:{ token:'a'.repeat(64), title:'Test', body:'Un seul' } });
+  assert.notEqual(one.status, 429);
+});
@@ -0,0 +1,31 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let srv;
+before(async () => { srv = await startServer(); });
+after(async () => { await srv?.stop(); });
+
+const ask = async (prompt) => (await srv.api('/aurion', { body:{ prompt } })).body;
+const calc = async (prompt) => (await ask(prompt)).meta;
+
+test('virgule dans un appel de fonction : séparateur d’arguments', async () => {
+  assert.equal((await calc('combien font max(1,2)')).result, '2');
+  assert.equal((await calc('combien font min(4, 2, 3)')).result, '2');
+  assert.equal((await calc('calcule max(1,5) + min(2,7)')).result, '7');
+});
+
+test('virgule décimale hors appel, ou avec « ; » comme séparateur', async () => {
+  assert.equal((await calc('combien font 2,5 + 1')).result, '3,5');
+  assert.equal((await calc('combien font max(1,5; 2)')).result, '2');
+  assert.equal((await calc('combien font (1,5 + 1) * 2')).result, '5');
+});
+
+test('exposant entier trop grand : hors limites, sans récursion infinie', async () => {
+  for (const q of ['calcule 9^9^9', 'calcule 2^99999999']) {
+    const r = await ask(q);
+    assert.equal(r.meta.ok, false, q);
+    assert.match(r.reply, /hors limites/, q);
+  }
+  assert.equal((await calc('calcule 8^(2/3)')).result, '4');
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockOllama } from './helpers.js';
+
+let ollama, srv;
+before(async () => {
+  // Vecteur déterministe : même texte → même vecteur
+  ollama = await mockOllama({ embedding:(text) => Array.from({ length:8 }, (_, i) => ((text.charCodeAt(i % text.length) || 1) % 7) + 1) });
+  srv = await startServer({ OLLAMA_HOST:ollama.url, MEMORY_MIN_SCORE:'0' });
+});
+after(async () => { await srv?.stop(); await ollama?.close(); });
+
+test('MEMORY_MIN_SCORE=0 est respecté', async () => {
+  const r = await srv.api('/memory/search?q=bonjour');
+  assert.equal(r.status, 200);
+  assert.equal(r.body.min_score, 0);
+});
+
+test('k invalide → défaut, k hors bornes → borné', async () => {
+  assert.equal((await srv.api('/memory/search?q=bonjour&k=abc')).body.k, 4);
+  assert.equal((await srv.api('/memory/search?q=bonjour&k=500')).body.k, 50);
+  assert.equal((await srv.api('/memory/search?q=bonjour&k=-3')).body.k, 1);
+  assert.equal((await srv.api('/memory/search?q=bonjour&min_score=x')).body.min_score, 0);
+});
+
+const until = async (fn) => { for (let i = 0; i < 100; i++) { if (await fn()) return; await new Promise(r => setTimeout(r, 50)); } throw new Error('délai dépassé'); };
+// Message système du dernier appel /api/chat reçu par le faux Ollama
+const lastSystem = () => JSON.parse(ollama.calls.filter(c => c.url === '/api/chat').at(-1).body).messages[0].content;
+
+test('tour et fait mémorisés : rappelés dans le message système, jamais chez un autre utilisateur', async () => {
+  assert.equal((await srv.api('/aurion', { body:{ prompt:'Mon chat s’appelle Gribouille et il adore les boîtes.', session_id:'mem-1' } })).status, 200);
+  assert.equal((await srv.api('/facts', { body:{ question:'couleur de ma voiture', answer:'rouge cerise' } })).status, 200);
+  await until(async () => (await srv.api('/memory/search?q=chat&min_score=-1&k=10')).body.indexed.history >= 2
+    && (await srv.api('/memory/search?q=chat&min_score=-1&k=10')).body.items.some(m => m.kind === 'fact'));
+
+  assert.equal((await srv.api('/aurion', { body:{ prompt:'Raconte-moi une histoire sur mon animal.', session_id:'mem-2' } })).status, 200);
+  const sys = lastSystem();
+  assert.match(sys, /<contexte>[\s\S]*Souvenirs pertinents/);
+  assert.match(sys, /\(user\) Mon chat s’appelle Gribouille/);
+  assert.match(sys, /\(fait\) couleur de ma voiture → rouge cerise/);
+
+  const keyB = (await srv.api('/users', { body:{ id:'bea' } })).body.api_key;
+  assert.equal((await srv.api('/aurion', { body:{ prompt:'Raconte-moi une histoire sur mon chien.', session_id:'mem-b' }, key:keyB })).status, 200);
+  const sysB = lastSystem();
+  assert.doesNotMatch(sysB, /Gribouille/);
+  assert.doesNotMatch(sysB, /rouge cerise/);
+});
+
+test('MEMORY_SCAN_MAX : seuls les vecteurs les plus récents sont comparés', async () => {
+  const small = await startServer({ OLLAMA_HOST:ollama.url, MEMORY_MIN_SCORE:'-1', MEMORY_SCAN_MAX:'1' });
+  try {
+    await small.api('/facts', { body:{ question:'premier fait', answer:'ancien' } });
+    await small.api('/facts', { body:{ question:'second fait', answer:'récent' } });
+    await until(async () => (await small.api('/memory/search?q=fait')).body.indexed.fact === 2);
+    const items = (await small.api('/memory/search?q=fait&k=10')).body.items;
+    assert.deepEqual(items.map(m => m.a), ['récent']);
+  } finally { await small.stop(); }
+});
@@ -0,0 +1,23 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockOllama } from './helpers.js';
+
+let ollama, srv;
+before(async () => {
+  ollama = await mockOllama({ reply:'Le ciel est bleu à cause de la diffusion de Rayleigh. Les courtes longueurs d’onde sont diffusées davantage.' });
+  srv = await startServer({ OLLAMA_HOST:ollama.url });
+});
+after(async () => { await srv?.stop(); await ollama?.close(); });
+
+const sseDeltas = (text) => text.split('\n\n').filter(l => l.startsWith('data: {')).map(l => JSON.parse(l.slice(6)))
+  .map(c => c.choices?.[0]?.delta?.content).filter(Boolean).join('');
+
+test('SSE /v1/chat/completions : l\'historique stocke le texte diffusé', async () => {
+  const r = await srv.api('/v1/chat/completions', { raw:true, body:{ model:'aurion', stream:true, session_id:'oa-1', messages:[{ role:'user', content:'pourquoi le ciel est bleu ?' }] } });
+  assert.equal(r.status, 200);
+  const sent = sseDeltas(r.body);
+  assert.ok(sent.includes('Rayleigh'));
+  const h = await srv.api('/session/oa-1/history');
+  const stored = h.body.items.find(m => m.role === 'assistant');
+  assert.equal(stored.content, sent);
+});
@@ -0,0 +1,16 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let srv;
+before(async () => { srv = await startServer(); });
+after(async () => { await srv?.stop(); });
+
+test('persona par défaut : un admin reste admin', async () => {
+  const r = await srv.api('/personas/zen/default', { method:'POST', body:{} });
+  assert.equal(r.body.default, 'zen');
+  const me = await srv.api('/me');
+  assert.equal(me.body.user.role, 'admin');
+  assert.equal(me.body.user.default_persona, 'zen');
+  assert.equal((await srv.api('/users')).status, 200);
+});
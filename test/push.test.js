@@ -0,0 +1,125 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http2 from 'node:http2';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { startServer, mockServer } from './helpers.js';
+
+// Jetons APNs du faux serveur : a… accepté, b… désinscrit (410 Unregistered), c… refusé (400 BadTopic, appareil gardé)
+const IOS_OK = 'a'.repeat(64), IOS_GONE = 'b'.repeat(64), IOS_FAIL = 'c'.repeat(64);
+
+// Faux APNs en HTTP/2 clair (h2c) : POST /3/device/:token, réponse selon le jeton
+function mockApns() {
+  const calls = [];
+  const server = http2.createServer();
+  server.on('stream', (stream, headers) => {
+    const chunks = [];
+    stream.on('data', c => chunks.push(c));
+    stream.on('end', () => {
+      const token = headers[':path'].split('/').pop();
+      calls.push({ headers, token, body:JSON.parse(Buffer.concat(chunks)) });
+      if (token === IOS_OK) { stream.respond({ ':status':200, 'apns-id':'apns-ok-1' }); return stream.end(); }
+      const [status, reason] = token === IOS_GONE ? [410, 'Unregistered'] : [400, 'BadTopic'];
+      stream.respond({ ':status':status, 'content-type':'application/json' });
+      stream.end(JSON.stringify({ reason }));
+    });
+  });
+  return new Promise(r => server.listen(0, '127.0.0.1', () => r({ url:`http://127.0.0.1:${server.address().port}`, calls,
+    close: () => new Promise(c => server.close(c)) })));
+}
+
+// Abonnement Web Push plausible : clé P-256 du navigateur et secret d'authentification
+const subscription = (endpoint) => ({ endpoint, keys:{ p256dh:crypto.createECDH('prime256v1').generateKeys().toString('base64url'), auth:crypto.randomBytes(16).toString('base64url') } });
+
+let apns, web, srv;
+before(async () => {
+  apns = await mockApns();
+  // Faux service push : /ok → 201 + Location, /gone → 410, le reste → 500
+  web = await mockServer((req, _body, res) => {
+    if (req.url === '/ok') { res.statusCode = 201; res.setHeader('Location', `${web.url}/msg/1`); return res.end(); }
+    res.statusCode = req.url === '/gone' ? 410 : 500;
+    res.end(req.url === '/gone' ? 'expired' : 'boom');
+  });
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve:'prime256v1' });
+  const vapid = crypto.generateKeyPairSync('ec', { namedCurve:'prime256v1' }).privateKey.export({ format:'jwk' });
+  srv = await startServer({
+    APNS_HOST:apns.url, APNS_TEAM_ID:'TEAM123456', APNS_KEY_ID:'KEY1234567', APNS_BUNDLE_ID:'com.example.aurion',
+    APNS_PRIVATE_KEY_BASE64:Buffer.from(privateKey.export({ format:'pem', type:'pkcs8' })).toString('base64'),
+    WEBPUSH_VAPID_PUBLIC_KEY:Buffer.concat([Buffer.from([4]), Buffer.from(vapid.x, 'base64url'), Buffer.from(vapid.y, 'base64url')]).toString('base64url'),
+    WEBPUSH_VAPID_PRIVATE_KEY:vapid.d, WEBPUSH_ALLOW_HTTP:'true'
+  });
+  for (const token of [IOS_OK, IOS_GONE, IOS_FAIL]) assert.equal((await srv.api('/register-device', { body:{ token } })).status, 200);
+  for (const p of ['ok', 'gone', 'fail']) assert.equal((await srv.api('/register-device', { body:{ platform:'web', subscription:subscription(`${web.url}/${p}`) } })).status, 200);
+});
+after(async () => { await srv?.stop(); await apns?.close(); await web?.close(); });
+
+test('fan-out : envoyés, échecs et jetons morts purgés', async () => {
+  const r = await srv.api('/notify', { body:{ title:'Test', body:'Bonjour' } });
+  assert.equal(r.status, 200);
+  assert.deepEqual({ total:r.body.total, sent:r.body.sent, failed:r.body.failed, pruned:r.body.pruned }, { total:6, sent:2, failed:2, pruned:2 });
+
+  const byToken = Object.fromEntries(apns.calls.map(c => [c.token, c]));
+  assert.equal(byToken[IOS_OK].headers['apns-topic'], 'com.example.aurion');
+  assert.match(byToken[IOS_OK].headers.authorization, /^bearer /);
+  assert.deepEqual(byToken[IOS_OK].body.aps.alert, { title:'Test', body:'Bonjour' });
+  const ok = web.calls.find(c => c.url === '/ok');
+  assert.match(ok.headers.authorization, /^vapid t=.+, k=/);
+  assert.equal(ok.headers['content-encoding'], 'aes128gcm');
+
+  const devices = (await srv.api('/devices')).body.devices;
+  assert.equal(devices.length, 4);
+  assert.ok(!devices.some(d => d.token === IOS_GONE || d.token.endsWith('/gone')));
+  assert.ok(devices.some(d => d.token === IOS_FAIL));
+});
+
+test('push_log : une ligne par envoi avec statut, code HTTP et erreur', async () => {
+  const items = (await srv.api('/push/log')).body.items;
+  assert.equal(items.length, 6);
+  const row = (platform, status) => items.filter(i => i.platform === platform && i.status === status);
+  for (const p of ['ios', 'web']) for (const s of ['sent', 'failed', 'pruned']) assert.equal(row(p, s).length, 1, `${p} ${s}`);
+  assert.equal(row('ios', 'sent')[0].http_status, 200);
+  assert.equal(row('ios', 'sent')[0].provider_id, 'apns-ok-1');
+  assert.equal(row('ios', 'pruned')[0].http_status, 410);
+  assert.match(row('ios', 'pruned')[0].error, /Unregistered/);
+  assert.match(row('ios', 'failed')[0].error, /BadTopic/);
+  assert.equal(row('web', 'sent')[0].http_status, 201);
+  assert.match(row('web', 'sent')[0].provider_id, /\/msg\/1$/);
+  assert.equal(row('web', 'pruned')[0].http_status, 410);
+  assert.equal(row('web', 'failed')[0].http_status, 500);
+  assert.ok(items.every(i => i.source === 'notify' && i.title === 'Test'));
+  assert.equal((await srv.api('/push/log?status=pruned')).body.items.length, 2);
+});
+
+test('un appareil désigné en échec → 502', async () => {
+  const id = (await srv.api('/devices')).body.devices.find(d => d.token === IOS_FAIL).id;
+  const r = await srv.api('/notify', { body:{ device_id:id, title:'Test', body:'Encore' } });
+  assert.equal(r.status, 502);
+  assert.equal(r.body.status, 'failed');
+});
+
+test('jeton APNs en majuscules : accepté, stocké en minuscules', async () => {
+  const id = (await srv.api('/devices')).body.devices.find(d => d.token === IOS_OK).id;
+  const r = await srv.api('/register-device', { body:{ token:IOS_OK.toUpperCase() } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.id, id);
+  const sent = await srv.api('/notify', { body:{ token:IOS_OK.toUpperCase(), title:'Test', body:'Majuscules' } });
+  assert.equal(sent.status, 200);
+  assert.equal(sent.body.device_id, id);
+});
+
+test('migration : jetons APNs existants passés en minuscules, doublons fusionnés', async () => {
+  const s = await startServer();
+  try {
+    await s.stop({ keep:true });
+    const db = new Database(path.join(s.dir, 'aurion.db'));
+    const add = db.prepare("INSERT INTO devices (token,user_id,platform) VALUES (?,'rapido','ios')");
+    add.run('ab'.repeat(32)); add.run('AB'.repeat(32)); add.run('CD'.repeat(32));
+    db.close();
+    const again = await startServer({}, { dir:s.dir });
+    try {
+      const tokens = (await again.api('/devices')).body.devices.map(d => d.token).sort();
+      assert.deepEqual(tokens, ['ab'.repeat(32), 'cd'.repeat(32)]);
+    } finally { await again.stop({ keep:true }); }
+  } finally { await s.stop(); }
+});
@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockServer } from './helpers.js';
+
+// Ollama qui retient les générations jusqu'à release() : file LLM pleine à la demande
+let ollama, srv, release;
+const held = new Promise(r => { release = r; });
+before(async () => {
+  ollama = await mockServer(async (req, _body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/api/tags') return res.end(JSON.stringify({ models:[] }));
+    if (req.url !== '/api/chat') { res.statusCode = 404; return res.end('{}'); }
+    await held;
+    res.end(JSON.stringify({ message:{ role:'assistant', content:'Terminé.' }, done:true, eval_count:3, prompt_eval_count:5 }));
+  });
+  srv = await startServer({ OLLAMA_HOST:ollama.url, LLM_QUEUE_MAX:'1', LLM_CONCURRENCY:'1' });
+});
+after(async () => { release(); await srv?.stop(); await ollama?.close(); });
+
+const until = async (fn) => { for (let i = 0; i < 100; i++) { if (await fn()) return; await new Promise(r => setTimeout(r, 50)); } throw new Error('délai dépassé'); };
+
+test('SSE /v1 : file pleine → 429 propre, le serveur reste debout', async () => {
+  const first = srv.api('/aurion', { body:{ prompt:'explique la photosynthèse' } });
+  await until(() => ollama.calls.some(c => c.url === '/api/chat'));
+  const second = srv.api('/aurion', { body:{ prompt:'explique la gravité' } });
+  await until(async () => (await srv.api('/health')).body.queue.queued >= 1);
+
+  const r = await srv.api('/v1/chat/completions', { body:{ model:'aurion', stream:true, messages:[{ role:'user', content:'explique les marées' }] } });
+  assert.equal(r.status, 429);
+  assert.equal(r.body.error.code, 'queue_full');
+  assert.ok(Number(r.headers.get('retry-after')) >= 1);
+
+  release();
+  assert.equal((await first).status, 200);
+  assert.equal((await second).status, 200);
+  assert.equal((await srv.api('/')).status, 200);
+});
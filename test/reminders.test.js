@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let srv;
+before(async () => { srv = await startServer(); });
+after(async () => { await srv?.stop(); });
+
+const pending = async () => (await srv.api('/reminders')).body.items;
+const debug = async (q) => (await srv.api(`/intent_debug?q=${encodeURIComponent(q)}`)).body;
+
+test('une question après « rappelle-moi » n’est pas un rappel', async () => {
+  for (const q of ['rappelle-moi qui a gagné le match de samedi', 'rappelle-moi quand est le match de samedi', 'remind me what time the match is tomorrow']) {
+    const d = await debug(q);
+    assert.notEqual(d.winner, 'reminder', q);
+  }
+  assert.equal((await pending()).length, 0);
+});
+
+test('/intent_debug ne programme rien', async () => {
+  const d = await debug('rappelle-moi demain à 9h d’appeler Marc');
+  assert.equal(d.winner, 'reminder');
+  assert.equal((await pending()).length, 0);
+});
+
+test('action après le déclencheur : rappel créé', async () => {
+  const a = await srv.api('/aurion', { body:{ prompt:'rappelle-moi demain à 9h d’appeler Marc' } });
+  assert.equal(a.body.meta.intent, 'reminder');
+  assert.equal(a.body.meta.ok, true);
+  const b = await srv.api('/aurion', { body:{ prompt:'rappelle-moi samedi à 10h acheter du pain' } });
+  assert.equal(b.body.meta.ok, true);
+  const items = await pending();
+  assert.deepEqual(items.map(r => r.text).sort(), ['acheter du pain', 'appeler Marc']);
+});
+
+test('le 29 février sans année vise la prochaine année bissextile', async () => {
+  const a = await srv.api('/aurion', { body:{ prompt:'rappelle-moi le 29 février à 9h de fêter l’anniversaire de Léa' } });
+  assert.equal(a.body.meta.ok, true);
+  const r = (await pending()).find(x => x.text === 'fêter l’anniversaire de Léa');
+  const due = new Date(r.due_at), y = due.getUTCFullYear();
+  assert.ok(due > Date.now());
+  assert.ok(y % 4 === 0 && (y % 100 !== 0 || y % 400 === 0), r.due_at);
+  assert.match(r.when, /29 février/);
+  // année explicite non bissextile : toujours invalide
+  const bad = await srv.api('/aurion', { body:{ prompt:'rappelle-moi le 29/02/2027 de courir' } });
+  assert.equal(bad.body.meta.ok, false);
+  assert.match(bad.body.reply, /invalide/);
+});
+
+test('un jour passé (« hier ») est refusé, pas reporté à demain', async () => {
+  const before = (await pending()).length;
+  for (const q of ['rappelle-moi hier à 9h de courir', 'rappelle-moi avant-hier de courir']) {
+    const a = await srv.api('/aurion', { body:{ prompt:q } });
+    assert.equal(a.body.meta.intent, 'reminder', q);
+    assert.equal(a.body.meta.ok, false, q);
+    assert.match(a.body.reply, /passé/, q);
+  }
+  assert.equal((await pending()).length, before);
+  // « hier » dans le texte, le jour vient d'ailleurs : rappel normal
+  const b = await srv.api('/aurion', { body:{ prompt:'rappelle-moi demain à 9h de rendre le livre prêté hier' } });
+  assert.equal(b.body.meta.ok, true);
+  assert.ok((await pending()).some(r => r.text === 'rendre le livre prêté hier'));
+});
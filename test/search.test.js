@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockOllama } from './helpers.js';
+
+// Le faux LLM reprend la question : les réponses contiennent les mêmes mots que les prompts
+let ollama, srv;
+before(async () => {
+  ollama = await mockOllama({ reply:(messages) => `Voici une note sur ${messages.at(-1).content.split('Question: ').pop()}` });
+  srv = await startServer({ OLLAMA_HOST:ollama.url });
+  await srv.api('/aurion', { body:{ prompt:'parle-moi des volcans d’Islande', session_id:'islande', style:'pro' } });
+  await srv.api('/aurion', { body:{ prompt:'parle-moi des volcans du Japon', session_id:'japon', style:'zen' } });
+});
+after(async () => { await srv?.stop(); await ollama?.close(); });
+
+const search = async (params) => srv.api(`/search?${new URLSearchParams(params)}`);
+const hits = async (params) => {
+  const r = await search(params);
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  return r.body.items;
+};
+const day = (offset) => new Date(Date.now() + offset * 864e5).toISOString().slice(0, 10);
+
+test('extraits surlignés et filtres session / rôle / style', async () => {
+  const all = await hits({ q:'volcans', kinds:'history' });
+  assert.equal(all.length, 4);
+  for (const h of all) assert.match(h.snippet, /<mark>volcans<\/mark>/);
+
+  const s = await hits({ q:'volcans', session_id:'japon' });
+  assert.ok(s.length > 0);
+  assert.ok(s.every(h => h.session_id === 'japon'));
+
+  const users = await hits({ q:'volcans', role:'user' });
+  assert.equal(users.length, 2);
+  assert.ok(users.every(h => h.kind === 'history' && h.role === 'user'));
+
+  const zen = await hits({ q:'volcans', style:'zen' });
+  assert.equal(zen.length, 2);
+  assert.ok(zen.every(h => h.style === 'zen' && h.session_id === 'japon'));
+
+  assert.equal((await search({ q:'volcans', role:'system' })).status, 400);
+  assert.equal((await search({ q:'volcans', session_id:'inconnue' })).status, 404);
+});
+
+test('filtres de date from / to', async () => {
+  assert.equal((await hits({ q:'volcans', kinds:'history', from:day(0) })).length, 4);
+  assert.equal((await hits({ q:'volcans', kinds:'history', to:day(0) })).length, 4);
+  assert.equal((await hits({ q:'volcans', from:day(1) })).length, 0);
+  assert.equal((await hits({ q:'volcans', to:day(-1) })).length, 0);
+  assert.equal((await search({ q:'volcans', from:'hier' })).status, 400);
+});
+
+test('opérateurs FTS cités : ni 400 ni 500, préfixe et expression exacte gardés', async () => {
+  // AND est un mot comme un autre, pas un opérateur : aucun texte ne le contient
+  const and = await search({ q:'volcans AND Japon' });
+  assert.equal(and.status, 200);
+  assert.equal(and.body.query, '"volcans" "AND" "Japon"');
+  assert.equal(and.body.items.length, 0);
+  for (const q of ['NEAR(volcans', 'NEAR(volcans Japon, 2)', 'foo*', 'volcans OR', '"volcans', 'col:volcans', '(volcans', '^volcans']) {
+    const r = await search({ q });
+    assert.equal(r.status, 200, `${q} → ${JSON.stringify(r.body)}`);
+  }
+  assert.equal((await hits({ q:'foo*' })).length, 0);
+  assert.equal((await hits({ q:'volc*', kinds:'history' })).length, 4);
+  const phrase = await hits({ q:'"volcans du Japon"', kinds:'history' });
+  assert.equal(phrase.length, 2);
+  assert.ok(phrase.every(h => h.session_id === 'japon'));
+  assert.equal((await hits({ q:'islande japon', any:'1', kinds:'history' })).length, 4);
+  assert.equal((await search({ q:'* "" ' })).status, 400);
+});
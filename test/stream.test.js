@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockServer } from './helpers.js';
+
+// Ollama qui diffuse la réponse en plusieurs morceaux ; fail → 500 sur /api/chat
+const PIECES = ['Je suis Aurion, ton assistant.\n', 'La photosynthèse ', 'transforme la lumière en sucre.'];
+let ollama, srv, fail = false;
+before(async () => {
+  ollama = await mockServer((req, body, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url === '/api/tags') return res.end(JSON.stringify({ models:[{ name:'aurion-gemma' }] }));
+    if (req.url !== '/api/chat') { res.statusCode = 404; return res.end('{}'); }
+    if (fail) { res.statusCode = 500; return res.end('{"error":"boom"}'); }
+    const counts = { done:true, eval_count:20, eval_duration:1e9, prompt_eval_count:50, prompt_eval_duration:2e8 };
+    if (!JSON.parse(body).stream) return res.end(JSON.stringify({ message:{ role:'assistant', content:PIECES.join('') }, ...counts }));
+    for (const p of PIECES) res.write(`${JSON.stringify({ message:{ role:'assistant', content:p } })}\n`);
+    res.end(`${JSON.stringify({ message:{ role:'assistant', content:'' }, ...counts })}\n`);
+  });
+  srv = await startServer({ OLLAMA_HOST:ollama.url, LLM_CB_FAILURES:'100' });
+});
+after(async () => { await srv?.stop(); await ollama?.close(); });
+
+// Flux SSE → [{ event, data }]
+async function stream(prompt) {
+  const r = await srv.api('/aurion_stream', { body:{ prompt, cache:false }, headers:{ accept:'text/event-stream' }, raw:true });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get('content-type'), /text\/event-stream/);
+  return r.body.split('\n\n').filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.+)$/m), [, data] = block.match(/^data: (.*)$/m);
+    return { event, data:JSON.parse(data) };
+  });
+}
+const order = (events) => events.map(e => e.event).filter(e => e !== 'links' && e !== 'images').join(' ');
+
+test('SSE, chemin LLM : meta → token+ → replace → final → done', async () => {
+  const events = await stream('explique la photosynthèse');
+  assert.match(order(events), /^meta( token)+ replace final done$/);
+  assert.equal(events[0].data.mode, 'llm');
+  const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+  assert.equal(tokens.join(''), PIECES.join(''));
+  // le préambule « Je suis Aurion » est retiré après coup : replace puis final portent le texte enregistré
+  const replace = events.find(e => e.event === 'replace'), final = events.find(e => e.event === 'final');
+  assert.equal(replace.data.text, final.data.reply);
+  assert.doesNotMatch(final.data.reply, /Je suis Aurion/);
+  assert.match(final.data.reply, /photosynthèse transforme la lumière/);
+  assert.equal(final.data.meta.mode, 'llm');
+  assert.ok(final.data.message_id);
+});
+
+test('SSE, chemin intent : meta → token → final → done, sans appel LLM', async () => {
+  const before = ollama.calls.filter(c => c.url === '/api/chat').length;
+  const events = await stream('calcule 6*7');
+  assert.equal(order(events), 'meta token final done');
+  assert.ok(events[0].data.intent);
+  assert.equal(events[1].data.text, events[2].data.reply);
+  assert.match(events[2].data.reply, /42/);
+  assert.equal(ollama.calls.filter(c => c.url === '/api/chat').length, before);
+});
+
+test('SSE, backend en échec : error → done', async () => {
+  fail = true;
+  try {
+    const events = await stream('explique la gravité');
+    assert.match(order(events), /^(meta )?error done$/);
+    assert.ok(events.find(e => e.event === 'error').data.message);
+  } finally { fail = false; }
+});
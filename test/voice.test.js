@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { startServer, FIXTURES } from './helpers.js';
+import { wav } from './fixtures/wav.mjs';
+
+const stub = (name) => `${process.execPath} ${path.join(FIXTURES, name)}`;
+let srv;
+before(async () => {
+  srv = await startServer({ STT_BACKEND:'command', STT_COMMAND:`${stub('stt-stub.mjs')} {input} {language}`,
+    TTS_BACKEND:'command', TTS_COMMAND:`${stub('tts-stub.mjs')} {voice} {output}`, VOICE_MAX_BYTES:'4096' });
+});
+after(async () => { await srv?.stop(); });
+
+const speak = (text, query = '') => srv.api(`/aurion/voice${query}`, { body:wav(text), headers:{ 'content-type':'audio/wav' } });
+const spoken = (r) => { const a = Buffer.from(r.body.audio.data, 'base64'); assert.equal(a.toString('latin1', 0, 4), 'RIFF'); return a.subarray(44).toString('utf8'); };
+
+test('WAV → transcription, réponse stockée dans l’historique, audio synthétisé', async () => {
+  const r = await speak('Quelle heure est-il ?', '?session_id=voix-1');
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.transcript, 'Quelle heure est-il ?');
+  assert.equal(r.body.meta.intent, 'time');
+  assert.ok(r.body.reply);
+
+  const items = (await srv.api('/session/voix-1/history')).body.items;
+  assert.deepEqual(items.map(i => [i.role, i.content]), [['user', 'Quelle heure est-il ?'], ['assistant', r.body.reply]]);
+  assert.equal(r.body.message_id, items[1].id);
+
+  assert.equal(r.body.audio.mime, 'audio/wav');
+  assert.equal(r.body.audio.voice, 'fr_FR-siwis-medium');
+  const [voice, said] = spoken(r).split('|');
+  assert.equal(voice, 'fr_FR-siwis-medium');
+  assert.match(said, /\d/); // l'heure, texte nettoyé pour la synthèse
+});
+
+test('voix de la persona, tts=false, audio vide ou muet', async () => {
+  assert.equal((await srv.api('/personas/zen', { method:'PATCH', body:{ voice:'fr_FR-zen-low' } })).status, 200);
+  const r = await speak('Quelle heure est-il ?', '?style=zen');
+  assert.equal(r.body.audio.voice, 'fr_FR-zen-low');
+  assert.match(spoken(r), /^fr_FR-zen-low\|/);
+
+  assert.equal((await speak('Quelle heure est-il ?', '?tts=false')).body.audio, undefined);
+  assert.equal((await speak('   ')).status, 422);
+  assert.equal((await srv.api('/aurion/voice', { body:Buffer.alloc(0), headers:{ 'content-type':'audio/wav' } })).status, 400);
+});
+
+test('limite llm vérifiée avant de lire l’audio', async () => {
+  assert.equal((await speak('x'.repeat(8192))).status, 413);
+  await srv.api('/limits', { method:'PUT', body:{ bucket:'llm', scope:'user', algo:'window', max:1, period_ms:60_000 } });
+  await speak('Quelle heure est-il ?');
+  const r = await speak('x'.repeat(8192));
+  assert.equal(r.status, 429);
+  assert.equal(r.body.bucket, 'llm');
+});
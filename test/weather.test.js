@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, mockServer } from './helpers.js';
+
+// Open-Meteo local : conditions actuelles + 3 jours dont des valeurs manquantes (null), comme l'API réelle peut en renvoyer
+let meteo, srv;
+before(async () => {
+  meteo = await mockServer((req, _body, res) => {
+    const u = new URL(req.url, 'http://x');
+    res.setHeader('Content-Type', 'application/json');
+    if (u.pathname !== '/v1/forecast') { res.statusCode = 404; return res.end('{}'); }
+    const day = (i) => new Date(Date.now() + i * 86400000).toISOString().slice(0, 10);
+    res.end(JSON.stringify({
+      current_weather:{ temperature:18.4, windspeed:12, weathercode:2 },
+      daily:{ time:[day(0), day(1), day(2)], weathercode:[1, 61, 3],
+        temperature_2m_min:[11.2, null, null], temperature_2m_max:[19.8, 17.1, null],
+        precipitation_probability_max:[10, 80, null], windspeed_10m_max:[20, null, 15] }
+    }));
+  });
+  srv = await startServer({ OPEN_METEO_URL:meteo.url });
+});
+after(async () => { await srv?.stop(); await meteo?.close(); });
+
+const ask = async (prompt) => (await srv.api('/aurion', { body:{ prompt } })).body;
+
+test('conditions actuelles via le service local', async () => {
+  const r = await ask('météo à Lyon');
+  assert.equal(r.meta.intent, 'weather');
+  assert.equal(r.meta.city, 'Lyon');
+  assert.match(r.reply, /18\.4°C/);
+  const call = meteo.calls.at(-1).url;
+  assert.match(call, /latitude=45\./);
+});
+
+test('prévisions : valeurs absentes sans NaN', async () => {
+  const r = await ask('météo à Lyon cette semaine');
+  assert.equal(r.meta.ok, true);
+  assert.doesNotMatch(r.reply, /NaN|null/);
+  assert.match(r.reply, /11–20°C/);
+  assert.match(r.reply, /max 17°C/);
+});
+
+test('ville inconnue après une préposition de lieu', async () => {
+  const r = await ask('quel temps fait-il à Trifouilly');
+  assert.equal(r.meta.unknown_city, 'Trifouilly');
+});
+
+test('« pour Marc » n\'est pas un lieu : heure locale', async () => {
+  const r = await ask('quelle heure est-il pour Marc');
+  assert.equal(r.meta.intent, 'time');
+  assert.equal(r.meta.ok, true);
+  assert.doesNotMatch(r.reply, /Marc/);
+});